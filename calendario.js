@@ -0,0 +1,404 @@
+// ===================================
+// CALENDARIO, DATE E FASCE PARLATE
+// ===================================
+//
+// Giorni lavorativi e festività, fasce orarie prenotabili e interpretazione
+// delle date e degli orari detti dal cliente ("martedì prossimo di mattina",
+// "dopo il 15", "dalle 3 alle 5"). Funzioni pure, senza database: il giorno
+// di riferimento ("oggi") si può passare per provarle su date fisse.
+
+// Fasce orarie prenotabili, nello stesso formato di pianificazioni.fascia_oraria
+const FASCE_ORARIE = (process.env.FASCE_ORARIE || '09:00-12:00,14:00-17:00')
+    .split(',')
+    .map(fascia => fascia.trim())
+    .filter(Boolean);
+
+// Preavviso minimo, in giorni, per spostare un appuntamento
+const GIORNI_PREAVVISO_MINIMO = parseInt(process.env.GIORNI_PREAVVISO_MINIMO || '1');
+
+// "09:00-12:00" -> "dalle 9 alle 12"
+function fasciaParlata(fascia) {
+    const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(fascia || '');
+    if (!match) return fascia;
+    const ora = (h, m) => m === '00' ? `${parseInt(h)}` : `${parseInt(h)} e ${m}`;
+    return `dalle ${ora(match[1], match[2])} alle ${ora(match[3], match[4])}`;
+}
+
+// ===================================
+// GIORNI LAVORATIVI
+// ===================================
+
+function toISODate(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+}
+
+// "2024-07-25" (o un Date restituito da pg) -> Date a mezzanotte ora locale
+function parseISODate(value) {
+    if (value instanceof Date) {
+        return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    }
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+    const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    // Giorni inesistenti (2024-02-31) non passano al mese successivo
+    return date.getFullYear() === parseInt(match[1]) && date.getMonth() === parseInt(match[2]) - 1 &&
+        date.getDate() === parseInt(match[3]) ? date : null;
+}
+
+// "martedì 25 luglio"
+function formatDateLong(date) {
+    return parseISODate(date).toLocaleDateString('it-IT', { weekday: 'long', day: 'numeric', month: 'long' });
+}
+
+// Festività nazionali a data fissa (MM-DD)
+const FESTIVITA_FISSE = ['01-01', '01-06', '04-25', '05-01', '06-02', '08-15', '11-01', '12-08', '12-25', '12-26'];
+
+// Festività aggiuntive da configurazione: date complete (2024-12-24) o ricorrenti (12-07, santo patrono)
+const FESTIVITA_EXTRA = (process.env.FESTIVITA_EXTRA || '')
+    .split(',')
+    .map(day => day.trim())
+    .filter(Boolean);
+
+// Domenica di Pasqua (algoritmo di Meeus/Jones/Butcher)
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+}
+
+function isHoliday(date) {
+    const iso = toISODate(date);
+    const monthDay = iso.slice(5);
+    
+    if (FESTIVITA_FISSE.includes(monthDay)) return true;
+    if (FESTIVITA_EXTRA.includes(iso) || FESTIVITA_EXTRA.includes(monthDay)) return true;
+    
+    // Lunedì dell'Angelo
+    const pasquetta = easterSunday(date.getFullYear());
+    pasquetta.setDate(pasquetta.getDate() + 1);
+    return toISODate(pasquetta) === iso;
+}
+
+function isWorkingDay(date) {
+    const day = date.getDay();
+    return day !== 0 && day !== 6 && !isHoliday(date);
+}
+
+// Primo giorno prenotabile: oggi + preavviso minimo
+function firstBookableDate(today = new Date()) {
+    const date = new Date(today);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + GIORNI_PREAVVISO_MINIMO);
+    return date;
+}
+
+// ===================================
+// INTERPRETAZIONE DATE E FASCE PARLATE
+// ===================================
+
+const MESI = ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno',
+    'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'];
+
+// Indici come Date.getDay(), senza accenti come dopo normalizeSpoken
+const GIORNI_SETTIMANA = ['domenica', 'lunedi', 'martedi', 'mercoledi', 'giovedi', 'venerdi', 'sabato'];
+
+const NUMERI_IN_PAROLE = {
+    primo: 1, uno: 1, un: 1, una: 1, due: 2, tre: 3, quattro: 4, cinque: 5, sei: 6, sette: 7,
+    otto: 8, nove: 9, dieci: 10, undici: 11, dodici: 12, tredici: 13, quattordici: 14,
+    quindici: 15, sedici: 16, diciassette: 17, diciotto: 18, diciannove: 19, venti: 20,
+    ventuno: 21, ventidue: 22, ventitre: 23, ventiquattro: 24, venticinque: 25, ventisei: 26,
+    ventisette: 27, ventotto: 28, ventinove: 29, trenta: 30, trentuno: 31
+};
+
+// Minuscolo, senza accenti né apostrofi, numeri in cifre: "l'otto" -> "l 8"
+function normalizeSpoken(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['\u2018\u2019`]/g, ' ')
+        .replace(/\b[a-z]+\b/g, word => NUMERI_IN_PAROLE[word] !== undefined ? String(NUMERI_IN_PAROLE[word]) : word)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// Giorno indicato come "25", "25 luglio", "25 luglio 2025", "25/07", "25/7/25".
+// Senza mese vale il mese indicato (defaultMonth) o la prossima occorrenza del giorno;
+// senza anno la prossima occorrenza della data.
+const DAY_PATTERN = `(\\d{1,2}(?:\\s*[/.-]\\s*\\d{1,2}(?:\\s*[/.-]\\s*\\d{2,4})?|\\s+(?:${MESI.join('|')})(?:\\s+\\d{4})?)?)`;
+
+function parseDayExpression(text, today, defaultMonth = null) {
+    const match = new RegExp(`^(\\d{1,2})(?:\\s*[/.-]\\s*(\\d{1,2})(?:\\s*[/.-]\\s*(\\d{2,4}))?|\\s+(${MESI.join('|')})(?:\\s+(\\d{4}))?)?$`).exec(text.trim());
+    if (!match) return null;
+    
+    const day = parseInt(match[1]);
+    let month = match[2] ? parseInt(match[2]) - 1 : match[4] ? MESI.indexOf(match[4]) : defaultMonth;
+    let year = match[3] ? parseInt(match[3]) : match[5] ? parseInt(match[5]) : null;
+    if (year !== null && year < 100) year += 2000;
+    
+    if (month !== null && (month < 0 || month > 11)) return null;
+    if (month === null) {
+        month = day >= today.getDate() ? today.getMonth() : today.getMonth() + 1;
+    }
+    
+    const date = new Date(year || today.getFullYear(), month, day);
+    if (date.getDate() !== day) return null;
+    if (!year && date < today) date.setFullYear(date.getFullYear() + 1);
+    return date;
+}
+
+function monthOf(text) {
+    const match = new RegExp(`(${MESI.join('|')})`).exec(text);
+    return match ? MESI.indexOf(match[1]) : null;
+}
+
+// Orari e fasce vengono tolti prima di cercare la data ("il 25 alle 15.30")
+function stripTimes(text) {
+    return text
+        .replace(/\b\d{1,2}[:.]\d{2}\s*-\s*\d{1,2}[:.]\d{2}\b/g, ' ')
+        .replace(/\b(?:alle|dalle|verso le|ore|entro le|dopo le|prima delle)\s+\d{1,2}(?:[:.]\d{2})?\b/g, ' ')
+        .replace(/\b\d{1,2}:\d{2}\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Interpreta la data richiesta dal cliente: "2024-07-25", "domani", "tra 3 giorni",
+// "martedì prossimo", "martedì della settimana prossima", "il 25", "25 luglio",
+// "dopo il 15", "entro il 20", "tra il 10 e il 20 luglio", "la settimana prossima".
+// Restituisce { date } per un giorno preciso, { from, to } per un periodo
+// (to può mancare), oppure null se il testo non contiene una data.
+function parseDateRequest(text, today = new Date()) {
+    today = new Date(today);
+    today.setHours(0, 0, 0, 0);
+    const raw = String(text || '').trim();
+    
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(raw);
+    if (iso) {
+        const date = parseISODate(raw);
+        return date && toISODate(date) === raw ? { date: raw } : null;
+    }
+    
+    const input = stripTimes(normalizeSpoken(raw));
+    const day = (expression, defaultMonth) => parseDayExpression(expression, today, defaultMonth);
+    const result = fields => {
+        const out = {};
+        for (const [key, value] of Object.entries(fields)) {
+            if (!value) return null;
+            out[key] = toISODate(value);
+        }
+        return out.from && out.to && out.from > out.to ? null : out;
+    };
+    let match;
+    
+    // Periodi: "tra il 10 e il 20 luglio", "dal 10 al 20"
+    match = new RegExp(`\\b(?:tra|fra|dal)\\s+(?:il\\s+|l\\s+)?${DAY_PATTERN}\\s+(?:e|al)\\s+(?:il\\s+|l\\s+)?${DAY_PATTERN}`).exec(input);
+    if (match) {
+        const to = day(match[2]);
+        return result({ from: to && day(match[1], monthOf(match[1]) ?? to.getMonth()), to });
+    }
+    
+    match = new RegExp(`\\b(?:dopo|oltre)\\s+(?:il\\s+|l\\s+)?${DAY_PATTERN}`).exec(input);
+    if (match) {
+        const after = day(match[1]);
+        return result({ from: after && addDays(after, 1) });
+    }
+    
+    match = new RegExp(`\\b(?:a partire dal|a partire da|non prima del|dal)\\s+(?:il\\s+|l\\s+)?${DAY_PATTERN}`).exec(input);
+    if (match) return result({ from: day(match[1]) });
+    
+    match = new RegExp(`\\b(?:entro|non oltre)\\s+(?:il\\s+|l\\s+)?${DAY_PATTERN}`).exec(input);
+    if (match) return result({ from: today, to: day(match[1]) });
+    
+    match = new RegExp(`\\bprima del(?:l)?\\s+${DAY_PATTERN}`).exec(input);
+    if (match) {
+        const before = day(match[1]);
+        return result({ from: today, to: before && addDays(before, -1) });
+    }
+    
+    // Date relative
+    if (/\bdopodomani\b/.test(input)) return result({ date: addDays(today, 2) });
+    if (/\bdomani\b/.test(input)) return result({ date: addDays(today, 1) });
+    if (/\boggi\b/.test(input)) return result({ date: today });
+    
+    match = /\b(?:tra|fra)\s+(\d+)\s+(giorn|settiman)/.exec(input);
+    if (match) return result({ date: addDays(today, parseInt(match[1]) * (match[2] === 'giorn' ? 1 : 7)) });
+    
+    // Date esplicite: "25/07", "25 luglio", "il 25", "martedì 25"
+    match = new RegExp(`\\b(\\d{1,2}\\s*[/.-]\\s*\\d{1,2}(?:\\s*[/.-]\\s*\\d{2,4})?|\\d{1,2}\\s+(?:${MESI.join('|')})(?:\\s+\\d{4})?)\\b`).exec(input) ||
+        new RegExp(`\\b(?:il|l|giorno|${GIORNI_SETTIMANA.join('|')})\\s+(\\d{1,2})\\b`).exec(input) ||
+        /^(\d{1,2})$/.exec(input);
+    if (match) return result({ date: day(match[1]) });
+    
+    const nextWeek = /\b(?:settimana prossima|prossima settimana)\b/.test(input);
+    const nextMonday = addDays(today, ((8 - today.getDay()) % 7) || 7);
+    
+    // Giorni della settimana: la prossima occorrenza, o quella della settimana prossima
+    const weekday = GIORNI_SETTIMANA.findIndex(name => new RegExp(`\\b${name}\\b`).test(input));
+    if (weekday >= 0) {
+        if (nextWeek) return result({ date: addDays(nextMonday, (weekday + 6) % 7) });
+        return result({ date: addDays(today, ((weekday - today.getDay() + 7) % 7) || 7) });
+    }
+    
+    if (nextWeek) return result({ from: nextMonday, to: addDays(nextMonday, 6) });
+    if (/\bquesta settimana\b/.test(input)) return result({ from: today, to: addDays(today, (7 - today.getDay()) % 7) });
+    if (/\b(?:mese prossimo|prossimo mese)\b/.test(input)) {
+        return result({
+            from: new Date(today.getFullYear(), today.getMonth() + 1, 1),
+            to: new Date(today.getFullYear(), today.getMonth() + 2, 0)
+        });
+    }
+    
+    return null;
+}
+
+// "HH:MM" da ore e minuti dettati. Senza "di mattina" o "di notte" le ore da 1 a 7
+// sono del pomeriggio, come le intende chi chiama ("alle tre" = 15:00); le ore scritte
+// con lo zero iniziale ("07:30") restano come sono.
+function spokenTime(hours, minutes, input = '') {
+    let hour = parseInt(hours);
+    if (hour >= 1 && hour <= 7 && !/^0/.test(String(hours)) && !/\b(?:di|del|della) (?:mattin|nott)/.test(input)) {
+        hour += 12;
+    }
+    return `${String(hour).padStart(2, '0')}:${minutes || '00'}`;
+}
+
+// Orario dettato, su testo già normalizzato: "dalle 3 alle 5", "09:00-12:00", "dopo le 15",
+// "prima delle 11", "verso le 4", "mattina", "pomeriggio". Restituisce { from, to } per un
+// intervallo (uno dei due può mancare), { at } per un'ora precisa, { periodo } per
+// mattina o pomeriggio, oppure null se il testo non indica un orario.
+function parseSpokenHours(input) {
+    const time = (hours, minutes) => spokenTime(hours, minutes, input);
+    let match = /\bdalle\s+(\d{1,2})(?:[:.](\d{2}))?\s*(?:-|alle)\s*(\d{1,2})(?:[:.](\d{2}))?\b/.exec(input) ||
+        /\b(\d{1,2})[:.](\d{2})\s*-\s*(\d{1,2})[:.](\d{2})\b/.exec(input);
+    if (match) return { from: time(match[1], match[2]), to: time(match[3], match[4]) };
+    
+    match = /\b(?:dopo le|a partire dalle|dalle)\s+(\d{1,2})(?:[:.](\d{2}))?\b/.exec(input);
+    if (match) return { from: time(match[1], match[2]) };
+    
+    match = /\b(?:prima delle|entro le)\s+(\d{1,2})(?:[:.](\d{2}))?\b/.exec(input);
+    if (match) return { to: time(match[1], match[2]) };
+    
+    match = /\b(?:alle|verso le|ore|per le)\s+(\d{1,2})(?:[:.](\d{2}))?\b/.exec(input);
+    if (match) return { at: time(match[1], match[2]) };
+    
+    if (/\bmattin/.test(input)) return { periodo: 'mattina' };
+    if (/\bpomerigg|\bsera\b/.test(input)) return { periodo: 'pomeriggio' };
+    return null;
+}
+
+// Fascia richiesta: esatta ("09:00-12:00"), "dalle 9 alle 12", "mattina", "pomeriggio",
+// "alle 10" (la fascia che la contiene), "dopo le 15" / "prima delle 12" (la prima fascia
+// che inizia dopo, l'ultima che finisce prima, altrimenti quella che contiene l'ora).
+// Restituisce { fascia } con fascia null se il testo non ne indica una, oppure { error }
+// se l'orario non rientra nelle fasce.
+function parseFasciaRequest(text) {
+    const raw = String(text || '').trim();
+    if (FASCE_ORARIE.includes(raw)) return { fascia: raw };
+    
+    const hours = parseSpokenHours(normalizeSpoken(raw));
+    if (!hours) return { fascia: null };
+    
+    const fasciaWhere = test => FASCE_ORARIE.find(candidate => test(...candidate.split('-')));
+    const lastFasciaWhere = test => [...FASCE_ORARIE].reverse().find(candidate => test(...candidate.split('-')));
+    let fascia;
+    
+    if (hours.periodo) {
+        fascia = FASCE_ORARIE.find(candidate => hours.periodo === 'mattina' ? candidate < '12:00' : candidate >= '12:00');
+    } else if (hours.at) {
+        fascia = fasciaWhere((from, to) => from <= hours.at && hours.at < to);
+    } else if (hours.from && hours.to) {
+        fascia = fasciaWhere((from, to) => from <= hours.from && hours.to <= to);
+    } else if (hours.from) {
+        fascia = fasciaWhere(from => from >= hours.from) || fasciaWhere((from, to) => hours.from < to);
+    } else {
+        fascia = lastFasciaWhere((from, to) => to <= hours.to) || fasciaWhere(from => from < hours.to);
+    }
+    
+    if (fascia) return { fascia };
+    const fasceParlate = FASCE_ORARIE.map(fasciaParlata).join(' oppure ');
+    return { error: `In quell'orario non effettuiamo interventi. Le fasce disponibili sono ${fasceParlate}.` };
+}
+
+// Spiegazione parlata se il giorno non è prenotabile (passato, senza preavviso, non lavorativo)
+function dateRequestIssue(iso, today = new Date()) {
+    const date = parseISODate(iso);
+    today = new Date(today);
+    today.setHours(0, 0, 0, 0);
+    
+    if (date < today) {
+        return `La data indicata, ${formatDateLong(date)}, è già passata.`;
+    }
+    if (date < firstBookableDate(today)) {
+        return `Per ${formatDateLong(date)} non è più possibile fissare l'intervento: serve un preavviso di almeno ${GIORNI_PREAVVISO_MINIMO === 1 ? 'un giorno' : `${GIORNI_PREAVVISO_MINIMO} giorni`}.`;
+    }
+    if (!isWorkingDay(date)) {
+        const motivo = isHoliday(date) ? 'è un giorno festivo' : 'cade nel fine settimana';
+        return `${formatDateLong(date).replace(/^./, letter => letter.toUpperCase())} ${motivo} e non effettuiamo interventi.`;
+    }
+    return null;
+}
+
+// Data e fascia di una richiesta di riprogrammazione, anche in linguaggio naturale.
+// La fascia può essere nel testo della data ("martedì prossimo di mattina").
+// Restituisce { date, from, to, fascia } oppure { error } con la spiegazione da leggere al cliente.
+function interpretRescheduleRequest(dateText, slotText, today = new Date()) {
+    const request = parseDateRequest(dateText, today);
+    if (!request) {
+        return { error: 'Non ho capito la data richiesta. Può indicarmi il giorno, ad esempio martedì prossimo oppure il 25 luglio?' };
+    }
+    
+    const slot = parseFasciaRequest(slotText || dateText);
+    if (slot.error) return { ...request, error: slot.error };
+    
+    if (request.date) {
+        const issue = dateRequestIssue(request.date, today);
+        if (issue) return { ...request, fascia: slot.fascia, error: issue };
+    } else if (request.to && parseISODate(request.to) < firstBookableDate(today)) {
+        return { ...request, fascia: slot.fascia, error: 'Il periodo indicato è già passato o troppo vicino per fissare l\'intervento.' };
+    }
+    
+    return { ...request, fascia: slot.fascia };
+}
+
+
+module.exports = {
+    FASCE_ORARIE,
+    GIORNI_PREAVVISO_MINIMO,
+    fasciaParlata,
+    toISODate,
+    parseISODate,
+    formatDateLong,
+    isHoliday,
+    isWorkingDay,
+    firstBookableDate,
+    NUMERI_IN_PAROLE,
+    normalizeSpoken,
+    addDays,
+    parseDateRequest,
+    spokenTime,
+    parseSpokenHours,
+    parseFasciaRequest,
+    dateRequestIssue,
+    interpretRescheduleRequest
+};
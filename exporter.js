@@ -0,0 +1,325 @@
+// ===================================
+// ESPORTAZIONE ESITI
+// ===================================
+//
+// Produce per ogni commessa il file degli esiti da restituire al committente
+// (confermato, riprogrammato, cancellato, non raggiungibile, esito della visita)
+// in CSV, JSON o nel tracciato a larghezza fissa configurato sulla commessa.
+// Ogni esportazione registra l'esito inviato per ogni appuntamento: quelle
+// incrementali contengono solo gli appuntamenti nuovi o con esito cambiato.
+//
+// Uso: node exporter.js --commessa <id> [--formato csv|json|fisso] [--dal AAAA-MM-GG]
+//      [--al AAAA-MM-GG] [--completa] [--anteprima] [--output file]
+
+const fs = require('fs');
+const { Pool } = require('pg');
+
+const FORMATI = ['csv', 'json', 'fisso'];
+
+// Campi disponibili per CSV, JSON e tracciato a larghezza fissa
+const CAMPI_ESPORTAZIONE = [
+    'id', 'matricola', 'pdr_pdp', 'nome_utente', 'indirizzo', 'comune', 'telefono',
+    'data_appuntamento', 'fascia_oraria', 'esito', 'data_esito', 'motivo_cancellazione',
+    'note', 'contatti', 'ultimo_contatto', 'tentativi_chiamata'
+];
+
+// Campi che identificano l'appuntamento presso il committente: nel tracciato a larghezza
+// fissa non si possono troncare
+const CAMPI_IDENTIFICATIVI = ['id', 'matricola', 'pdr_pdp'];
+
+// Tracciato usato per le commesse senza tracciato_esportazione
+const TRACCIATO_PREDEFINITO = [
+    { campo: 'matricola', lunghezza: 20 },
+    { campo: 'pdr_pdp', lunghezza: 14 },
+    { campo: 'esito', lunghezza: 20 },
+    { campo: 'data_appuntamento', lunghezza: 8, formato: 'AAAAMMGG' },
+    { campo: 'fascia_oraria', lunghezza: 11 },
+    { campo: 'data_esito', lunghezza: 8, formato: 'AAAAMMGG' },
+    { campo: 'contatti', lunghezza: 3, allineamento: 'destra', riempimento: '0' },
+    { campo: 'note', lunghezza: 60 }
+];
+
+// Esito corrente: lo stato dell'appuntamento o, se non è mai stato raggiunto
+// dalle campagne di chiamata, non_raggiungibile
+const OUTCOMES_SELECT = `
+    SELECT
+        p.id, p.matricola, p.pdr_pdp, p.nome_utente, p.indirizzo, p.comune, p.telefono,
+        p.data_appuntamento, p.fascia_oraria, e.esito,
+        CASE e.esito
+            WHEN 'confermato' THEN p.data_conferma
+            WHEN 'riprogrammato' THEN p.data_modifica
+            WHEN 'cancellato' THEN p.data_cancellazione
+            WHEN 'non_raggiungibile' THEN ch.ultima_chiamata
+            ELSE p.data_esito
+        END as data_esito,
+        p.motivo_cancellazione,
+        COALESCE(p.note_operatore, p.note_cancellazione, p.note_riprogrammazione) as note,
+        COALESCE(l.contatti, 0) as contatti, l.ultimo_contatto,
+        COALESCE(ch.tentativi, 0) as tentativi_chiamata,
+        ultima.esito as esito_esportato
+    FROM pianificazioni p
+    LEFT JOIN LATERAL (
+        SELECT SUM(tentativi)::int as tentativi, BOOL_OR(stato = 'esaurita') as esaurita, MAX(updated_at) as ultima_chiamata
+        FROM chiamate_campagna WHERE pianificazione_id = p.id
+    ) ch ON true
+    CROSS JOIN LATERAL (
+        SELECT CASE
+            WHEN p.stato IN ('confermato', 'riprogrammato', 'cancellato', 'completato', 'accesso_fallito', 'cliente_assente') THEN p.stato
+            WHEN ch.esaurita THEN 'non_raggiungibile'
+        END as esito
+    ) e
+    LEFT JOIN LATERAL (
+        SELECT COUNT(*)::int as contatti, MAX(timestamp) as ultimo_contatto
+        FROM call_logs WHERE matricola = p.matricola
+    ) l ON true
+    LEFT JOIN LATERAL (
+        SELECT esito FROM esportazioni_righe
+        WHERE pianificazione_id = p.id
+        ORDER BY esportazione_id DESC
+        LIMIT 1
+    ) ultima ON true
+`;
+
+// ===================================
+// FORMATI
+// ===================================
+
+const pad = value => String(value).padStart(2, '0');
+
+function formatValue(value) {
+    if (value instanceof Date) {
+        const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        const time = `${pad(value.getHours())}:${pad(value.getMinutes())}`;
+        return time === '00:00' ? date : `${date} ${time}`;
+    }
+    return value === null || value === undefined ? '' : value;
+}
+
+// CSV con separatore ";" per l'apertura diretta in Excel italiano
+function toCSV(rows) {
+    const quote = value => {
+        const text = String(formatValue(value));
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [CAMPI_ESPORTAZIONE, ...rows.map(row => CAMPI_ESPORTAZIONE.map(campo => row[campo]))]
+        .map(values => values.map(quote).join(';'))
+        .join('\r\n') + '\r\n';
+}
+
+function toJSON(rows) {
+    return JSON.stringify(rows.map(row => Object.fromEntries(
+        CAMPI_ESPORTAZIONE.map(campo => [campo, row[campo] instanceof Date ? formatValue(row[campo]) : row[campo]])
+    )), null, 2);
+}
+
+function formatFixedDate(value, formato) {
+    if (!(value instanceof Date)) return value;
+    const [y, m, d] = [value.getFullYear(), pad(value.getMonth() + 1), pad(value.getDate())];
+    return formato === 'GGMMAAAA' ? `${d}${m}${y}` : `${y}${m}${d}`;
+}
+
+// Testo del campo nel tracciato, prima del troncamento.
+// valori converte i valori nei codici del committente (es. { "confermato": "CF" }).
+function fixedWidthText(row, { campo, formato, valori }) {
+    const value = valori && row[campo] in valori ? valori[row[campo]] : formatFixedDate(row[campo], formato);
+    return String(formatValue(value)).replace(/[\r\n]+/g, ' ');
+}
+
+// Una riga per appuntamento, ogni campo troncato o riempito alla sua lunghezza
+function toFixedWidth(rows, tracciato) {
+    return rows.map(row => tracciato.map(field => {
+        const { lunghezza, allineamento = 'sinistra', riempimento = ' ' } = field;
+        const text = fixedWidthText(row, field).slice(0, lunghezza);
+        return allineamento === 'destra' ? text.padStart(lunghezza, riempimento) : text.padEnd(lunghezza, riempimento);
+    }).join('')).join('\r\n') + (rows.length > 0 ? '\r\n' : '');
+}
+
+// Righe con un campo identificativo più lungo del tracciato: troncato non sarebbe
+// più riconoscibile dal committente
+function overflowingIdentifiers(rows, tracciato) {
+    return rows.flatMap(row => tracciato
+        .filter(field => CAMPI_IDENTIFICATIVI.includes(field.campo) && fixedWidthText(row, field).length > field.lunghezza)
+        .map(({ campo, lunghezza }) => ({ id: row.id, campo, valore: fixedWidthText(row, { campo }), lunghezza })));
+}
+
+// Data AAAA-MM-GG esistente (niente 2024-02-31)
+function isISODate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+    const date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    return date.toISOString().slice(0, 10) === value;
+}
+
+// Errori di un tracciato a larghezza fissa (vuoto se valido)
+function validateLayout(tracciato) {
+    if (!Array.isArray(tracciato) || tracciato.length === 0) return ['il tracciato deve essere un elenco di campi'];
+    const errors = [];
+    tracciato.forEach((field, index) => {
+        const where = `campo ${index + 1}`;
+        if (!field || !CAMPI_ESPORTAZIONE.includes(field.campo)) errors.push(`${where}: campo deve essere uno tra ${CAMPI_ESPORTAZIONE.join(', ')}`);
+        if (!field || !Number.isInteger(field.lunghezza) || field.lunghezza < 1) errors.push(`${where}: lunghezza deve essere un intero positivo`);
+        if (field && field.allineamento && !['sinistra', 'destra'].includes(field.allineamento)) errors.push(`${where}: allineamento deve essere sinistra o destra`);
+        if (field && field.riempimento !== undefined && String(field.riempimento).length !== 1) errors.push(`${where}: riempimento deve essere un carattere`);
+        if (field && field.formato && !['AAAAMMGG', 'GGMMAAAA'].includes(field.formato)) errors.push(`${where}: formato deve essere AAAAMMGG o GGMMAAAA`);
+        if (field && field.valori !== undefined && (typeof field.valori !== 'object' || field.valori === null || Array.isArray(field.valori))) {
+            errors.push(`${where}: valori deve essere un oggetto { valore: codice }`);
+        }
+    });
+    return errors;
+}
+
+// ===================================
+// ESPORTAZIONE
+// ===================================
+
+// Esiti della commessa nell'intervallo di date appuntamento [dal, al].
+// Con incrementale solo quelli mai esportati o con esito cambiato dall'ultima esportazione.
+async function loadOutcomes(db, { commessaId, dal = null, al = null, incrementale = true }) {
+    const result = await db.query(`
+        ${OUTCOMES_SELECT}
+        WHERE p.commessa_id = $1
+        AND e.esito IS NOT NULL
+        AND ($2::date IS NULL OR p.data_appuntamento >= $2)
+        AND ($3::date IS NULL OR p.data_appuntamento <= $3)
+        AND ($4::boolean IS NOT TRUE OR ultima.esito IS DISTINCT FROM e.esito)
+        ORDER BY p.data_appuntamento, p.id
+    `, [commessaId, dal, al, incrementale]);
+    return result.rows;
+}
+
+// Genera il file e, salvo anteprima, registra l'esportazione e gli esiti inviati.
+// Restituisce { content, contentType, filename, righe, esportazione_id } oppure { error }
+// (con righe_non_valide se nel tracciato fisso un identificativo non entra nel suo campo).
+async function exportOutcomes(pool, { commessaId, formato = 'csv', dal = null, al = null, incrementale = true, anteprima = false, context = {} }) {
+    if (!FORMATI.includes(formato)) {
+        return { error: `formato deve essere uno tra: ${FORMATI.join(', ')}` };
+    }
+    for (const [name, value] of [['dal', dal], ['al', al]]) {
+        if (value && !isISODate(value)) {
+            return { error: `${name} deve essere una data (AAAA-MM-GG)` };
+        }
+    }
+    
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Due esportazioni contemporanee della stessa commessa conterrebbero le stesse righe
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`esportazione|${commessaId}`]);
+        
+        const commessa = await client.query('SELECT * FROM commesse WHERE id = $1', [commessaId]);
+        if (commessa.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { error: `Commessa ${commessaId} inesistente` };
+        }
+        
+        const rows = await loadOutcomes(client, { commessaId, dal, al, incrementale });
+        const tracciato = commessa.rows[0].tracciato_esportazione || TRACCIATO_PREDEFINITO;
+        const overflows = formato === 'fisso' ? overflowingIdentifiers(rows, tracciato) : [];
+        if (overflows.length > 0) {
+            await client.query('ROLLBACK');
+            return {
+                error: `Identificativi più lunghi del campo nel tracciato (${overflows.length}): allungare i campi del tracciato`,
+                righe_non_valide: overflows
+            };
+        }
+        
+        let esportazioneId = null;
+        if (!anteprima && rows.length > 0) {
+            const inserted = await client.query(`
+                INSERT INTO esportazioni (commessa_id, formato, dal, al, incrementale, righe, attore, canale)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING id
+            `, [commessaId, formato, dal, al, incrementale, rows.length, context.attore || 'admin', context.canale || null]);
+            esportazioneId = inserted.rows[0].id;
+            
+            await client.query(`
+                INSERT INTO esportazioni_righe (esportazione_id, pianificazione_id, esito)
+                SELECT $1, * FROM unnest($2::int[], $3::text[])
+            `, [esportazioneId, rows.map(row => row.id), rows.map(row => row.esito)]);
+        }
+        await client.query('COMMIT');
+        
+        const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        const filename = `esiti_commessa_${commessaId}_${stamp}${esportazioneId ? `_${esportazioneId}` : ''}`;
+        const formats = {
+            csv: () => ({ content: toCSV(rows), contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv` }),
+            json: () => ({ content: toJSON(rows), contentType: 'application/json; charset=utf-8', filename: `${filename}.json` }),
+            fisso: () => ({
+                content: toFixedWidth(rows, tracciato),
+                contentType: 'text/plain; charset=utf-8',
+                filename: `${filename}.txt`
+            })
+        };
+        
+        return { ...formats[formato](), righe: rows.length, esportazione_id: esportazioneId };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    FORMATI,
+    CAMPI_ESPORTAZIONE,
+    TRACCIATO_PREDEFINITO,
+    validateLayout,
+    exportOutcomes
+};
+
+// ===================================
+// CLI
+// ===================================
+if (require.main === module) {
+    require('dotenv').config();
+    
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const commessaId = parseInt(option('--commessa'));
+    
+    if (!commessaId) {
+        console.error('Uso: node exporter.js --commessa <id> [--formato csv|json|fisso] [--dal AAAA-MM-GG] [--al AAAA-MM-GG] [--completa] [--anteprima] [--output file]');
+        process.exit(1);
+    }
+    
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+    
+    exportOutcomes(pool, {
+        commessaId,
+        formato: option('--formato') || 'csv',
+        dal: option('--dal') || null,
+        al: option('--al') || null,
+        incrementale: !args.includes('--completa'),
+        anteprima: args.includes('--anteprima'),
+        context: { attore: 'admin', canale: 'cli' }
+    })
+        .then(result => {
+            if (result.error) {
+                console.error(`❌ ${result.error}`);
+                (result.righe_non_valide || []).forEach(({ id, campo, valore, lunghezza }) =>
+                    console.error(`   appuntamento ${id}: ${campo} "${valore}" supera ${lunghezza} caratteri`));
+                process.exitCode = 1;
+            } else if (option('--output')) {
+                fs.writeFileSync(option('--output'), result.content);
+                console.error(`✅ ${result.righe} esiti esportati in ${option('--output')}`);
+            } else {
+                process.stdout.write(result.content);
+                console.error(`✅ ${result.righe} esiti esportati`);
+            }
+            return pool.end();
+        })
+        .catch(error => {
+            console.error('❌ Errore esportazione:', error.message);
+            pool.end();
+            process.exitCode = 1;
+        });
+}
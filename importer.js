@@ -0,0 +1,440 @@
+// ===================================
+// IMPORTAZIONE PIANIFICAZIONI
+// ===================================
+//
+// Carica in pianificazioni i lotti ricevuti dal committente (CSV o XLSX),
+// collegandoli a una commessa esistente. Ogni riga viene validata (matricola,
+// PDR/POD, data e fascia proposte, duplicati sul file e sul database): se
+// anche una sola riga è errata non viene importato nulla.
+//
+// Uso: node importer.js <file.csv|file.xlsx> --commessa <id> [--dry-run]
+
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+const { Pool } = require('pg');
+
+// Chiave dell'advisory lock che serializza le importazioni (controllo duplicati)
+const IMPORT_LOCK = 727002;
+
+const FASCE_ORARIE = (process.env.FASCE_ORARIE || '09:00-12:00,14:00-17:00')
+    .split(',')
+    .map(fascia => fascia.trim())
+    .filter(Boolean);
+
+// Matricola contatore: alfanumerica, spazi e separatori vengono rimossi
+const FORMATO_MATRICOLA = /^[A-Z0-9]{6,20}$/;
+// PDR gas: 14 cifre. POD energia elettrica: IT + 3 cifre + E + 8 cifre
+const FORMATO_PDR = /^\d{14}$/;
+const FORMATO_POD = /^IT\d{3}E\d{8}$/;
+
+// Intestazioni accettate per ogni colonna (normalizzate: minuscole, senza accenti, "_" come separatore)
+const COLONNE = {
+    matricola: ['matricola', 'matricola_contatore', 'seriale'],
+    pdr_pdp: ['pdr_pdp', 'pdr', 'pdp', 'pod', 'pdr_pod'],
+    nome_utente: ['nome_utente', 'nominativo', 'cliente', 'nome'],
+    indirizzo: ['indirizzo', 'via'],
+    comune: ['comune', 'citta', 'localita'],
+    telefono: ['telefono', 'cellulare', 'tel', 'recapito'],
+    data_appuntamento: ['data_appuntamento', 'data_proposta', 'data'],
+    fascia_oraria: ['fascia_oraria', 'fascia', 'orario'],
+    latitudine: ['latitudine', 'lat'],
+    longitudine: ['longitudine', 'lon', 'lng']
+};
+
+const COLONNE_OBBLIGATORIE = ['matricola', 'nome_utente', 'indirizzo', 'comune', 'data_appuntamento', 'fascia_oraria'];
+
+const LUNGHEZZE_MASSIME = {
+    nome_utente: 200,
+    indirizzo: 200,
+    comune: 100,
+    telefono: 30
+};
+
+// ===================================
+// LETTURA FILE
+// ===================================
+
+function normalizeHeader(header) {
+    return String(header || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+}
+
+// UTF-8 (con o senza BOM); i CSV salvati da Excel italiano sono spesso in Windows-1252
+function decodeText(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch (error) {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+}
+
+// CSV con separatore ";" (Excel italiano), "," o tabulazione, campi tra virgolette
+function parseCSV(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', ',', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+    
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Primo foglio della cartella; le date di Excel arrivano come Date UTC
+async function parseXLSX(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    
+    const rows = [];
+    for (let r = 1; r <= sheet.rowCount; r++) {
+        const row = sheet.getRow(r);
+        const values = [];
+        for (let c = 1; c <= sheet.columnCount; c++) {
+            const cell = row.getCell(c);
+            values.push(cell.value instanceof Date ? cell.value.toISOString().slice(0, 10) : cell.text);
+        }
+        rows.push(values);
+    }
+    return rows;
+}
+
+// Restituisce le righe come oggetti { riga, ...colonne } più gli errori sul file
+async function readSpreadsheet(buffer) {
+    let table;
+    if (buffer.subarray(0, 2).toString('latin1') === 'PK') {
+        table = await parseXLSX(buffer);
+    } else if (buffer.subarray(0, 4).equals(Buffer.from([0xD0, 0xCF, 0x11, 0xE0]))) {
+        return { rows: [], errors: [{ riga: null, errore: 'Formato .xls non supportato: salvare il file come .xlsx o .csv' }] };
+    } else {
+        table = parseCSV(decodeText(buffer));
+    }
+    
+    const [header = [], ...data] = table;
+    const headers = header.map(normalizeHeader);
+    const columns = {};
+    for (const [column, aliases] of Object.entries(COLONNE)) {
+        const index = headers.findIndex(name => aliases.includes(name));
+        if (index >= 0) columns[column] = index;
+    }
+    
+    const missing = COLONNE_OBBLIGATORIE.filter(column => columns[column] === undefined);
+    if (missing.length > 0) {
+        return { rows: [], errors: [{ riga: 1, errore: `Colonne mancanti: ${missing.join(', ')}` }] };
+    }
+    
+    const rows = [];
+    data.forEach((values, index) => {
+        if (values.every(value => String(value || '').trim() === '')) return;
+        const row = { riga: index + 2 };
+        for (const [column, position] of Object.entries(columns)) {
+            row[column] = String(values[position] ?? '').trim();
+        }
+        rows.push(row);
+    });
+    return { rows, errors: [] };
+}
+
+// ===================================
+// VALIDAZIONE
+// ===================================
+
+// "25/07/2024", "25-07-24", "2024-07-25" -> "2024-07-25"
+function parseDate(value) {
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else {
+        match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(value);
+        if (!match) return null;
+        [, day, month, year] = match.map(Number);
+        if (year < 100) year += 2000;
+    }
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// "9-12", "09.00 - 12.00" -> "09:00-12:00"
+function parseFascia(value) {
+    const match = /^(\d{1,2})(?:[:.](\d{2}))?\s*-\s*(\d{1,2})(?:[:.](\d{2}))?$/.exec(value);
+    if (!match) return value;
+    const time = (hours, minutes) => `${hours.padStart(2, '0')}:${minutes || '00'}`;
+    return `${time(match[1], match[2])}-${time(match[3], match[4])}`;
+}
+
+function todayISO() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+// Valida e normalizza una riga: restituisce i valori da inserire e gli errori per campo
+function validateRow(row, fasce) {
+    const errors = [];
+    const error = (campo, errore) => errors.push({ riga: row.riga, campo, errore });
+    
+    for (const column of COLONNE_OBBLIGATORIE) {
+        if (!row[column]) error(column, 'valore mancante');
+    }
+    for (const [column, maxLength] of Object.entries(LUNGHEZZE_MASSIME)) {
+        if (row[column] && row[column].length > maxLength) error(column, `supera ${maxLength} caratteri`);
+    }
+    
+    const matricola = (row.matricola || '').toUpperCase().replace(/[\s.\-/]/g, '');
+    if (matricola && !FORMATO_MATRICOLA.test(matricola)) {
+        error('matricola', `formato non valido "${row.matricola}" (6-20 lettere o cifre)`);
+    }
+    
+    const pdr = (row.pdr_pdp || '').toUpperCase().replace(/\s/g, '');
+    if (pdr && !FORMATO_PDR.test(pdr) && !FORMATO_POD.test(pdr)) {
+        error('pdr_pdp', `formato non valido "${row.pdr_pdp}" (PDR di 14 cifre o POD IT000E00000000)`);
+    }
+    
+    const telefono = row.telefono || '';
+    const cifre = telefono.replace(/\D/g, '');
+    if (telefono && (cifre.length < 6 || cifre.length > 15)) error('telefono', `numero non valido "${telefono}"`);
+    
+    const data = row.data_appuntamento ? parseDate(row.data_appuntamento) : null;
+    if (row.data_appuntamento && !data) {
+        error('data_appuntamento', `data non valida "${row.data_appuntamento}" (GG/MM/AAAA o AAAA-MM-GG)`);
+    } else if (data && data < todayISO()) {
+        error('data_appuntamento', `data già passata ${row.data_appuntamento}`);
+    }
+    
+    const fascia = row.fascia_oraria ? parseFascia(row.fascia_oraria) : null;
+    if (fascia && !fasce.includes(fascia)) {
+        error('fascia_oraria', `fascia "${row.fascia_oraria}" non prevista (${fasce.join(', ')})`);
+    }
+    
+    // Coordinate facoltative, usate dall'assegnazione per raggruppare gli indirizzi vicini
+    const coordinate = {};
+    for (const [column, max] of [['latitudine', 90], ['longitudine', 180]]) {
+        if (!row[column]) continue;
+        const value = Number(row[column].replace(',', '.'));
+        if (!Number.isFinite(value) || Math.abs(value) > max) error(column, `coordinata non valida "${row[column]}"`);
+        coordinate[column] = value;
+    }
+    
+    return {
+        values: {
+            nome_utente: row.nome_utente,
+            indirizzo: row.indirizzo,
+            comune: row.comune,
+            matricola,
+            pdr_pdp: pdr || null,
+            data_appuntamento: data,
+            fascia_oraria: fascia,
+            telefono: telefono || null,
+            latitudine: coordinate.latitudine ?? null,
+            longitudine: coordinate.longitudine ?? null
+        },
+        errors
+    };
+}
+
+// Matricole ripetute nel file o già presenti in un appuntamento non annullato
+async function findDuplicates(db, rows) {
+    const errors = [];
+    const seen = new Map();
+    for (const row of rows) {
+        if (!row.values.matricola) continue;
+        if (seen.has(row.values.matricola)) {
+            errors.push({ riga: row.riga, campo: 'matricola', errore: `matricola ${row.values.matricola} ripetuta (riga ${seen.get(row.values.matricola)})` });
+        } else {
+            seen.set(row.values.matricola, row.riga);
+        }
+    }
+    
+    // Le matricole già salvate possono contenere spazi, punti o trattini: si normalizzano come quelle del file
+    const existing = await db.query(`
+        SELECT UPPER(REGEXP_REPLACE(matricola, '[\\s.\\-/]', '', 'g')) as matricola, MIN(id) as id
+        FROM pianificazioni
+        WHERE UPPER(REGEXP_REPLACE(matricola, '[\\s.\\-/]', '', 'g')) = ANY($1)
+        AND COALESCE(stato, 'programmato') <> 'cancellato'
+        GROUP BY 1
+    `, [[...seen.keys()]]);
+    for (const { matricola, id } of existing.rows) {
+        errors.push({ riga: seen.get(matricola), campo: 'matricola', errore: `matricola ${matricola} già presente (appuntamento ${id})` });
+    }
+    return errors;
+}
+
+// ===================================
+// IMPORTAZIONE
+// ===================================
+
+// Importa il file nella commessa indicata. Con dryRun (o se ci sono errori)
+// la transazione viene annullata e si restituisce solo il report per riga.
+async function importPlanning(pool, { buffer, commessaId, dryRun = false, fasce = FASCE_ORARIE, context = {} }) {
+    const file = await readSpreadsheet(buffer);
+    const report = { success: false, dry_run: dryRun, commessa_id: commessaId, rows: file.rows.length, imported: 0, errors: file.errors };
+    if (file.errors.length > 0) return report;
+    if (file.rows.length === 0) {
+        report.errors.push({ riga: null, errore: 'Nessuna riga da importare' });
+        return report;
+    }
+    
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1)', [IMPORT_LOCK]);
+        
+        const commessa = await client.query('SELECT id FROM commesse WHERE id = $1', [commessaId]);
+        if (commessa.rows.length === 0) {
+            report.errors.push({ riga: null, errore: `Commessa ${commessaId} inesistente` });
+        }
+        
+        const rows = file.rows.map(row => {
+            const { values, errors } = validateRow(row, fasce);
+            report.errors.push(...errors);
+            return { riga: row.riga, values };
+        });
+        report.errors.push(...await findDuplicates(client, rows));
+        report.errors.sort((a, b) => (a.riga || 0) - (b.riga || 0));
+        
+        if (report.errors.length > 0 || dryRun) {
+            await client.query('ROLLBACK');
+            report.success = report.errors.length === 0;
+            return report;
+        }
+        
+        const column = name => rows.map(row => row.values[name]);
+        const inserted = await client.query(`
+            INSERT INTO pianificazioni
+            (commessa_id, nome_utente, indirizzo, comune, matricola, pdr_pdp, data_appuntamento, fascia_oraria, telefono, latitudine, longitudine, stato)
+            SELECT $1, *, 'programmato'
+            FROM unnest($2::text[], $3::text[], $4::text[], $5::text[], $6::text[], $7::date[], $8::text[], $9::text[], $10::numeric[], $11::numeric[])
+            RETURNING id
+        `, [
+            commessaId,
+            column('nome_utente'),
+            column('indirizzo'),
+            column('comune'),
+            column('matricola'),
+            column('pdr_pdp'),
+            column('data_appuntamento'),
+            column('fascia_oraria'),
+            column('telefono'),
+            column('latitudine'),
+            column('longitudine')
+        ]);
+        const ids = inserted.rows.map(row => row.id);
+        
+        // Storico: un evento di creazione per ogni appuntamento importato
+        await client.query(`
+            INSERT INTO appointment_events (pianificazione_id, evento, valori_nuovi, attore, attore_id, canale, note)
+            SELECT id, 'importazione',
+                jsonb_build_object('stato', stato, 'data_appuntamento', to_char(data_appuntamento, 'YYYY-MM-DD'), 'fascia_oraria', fascia_oraria),
+                $2, $3, $4, $5
+            FROM pianificazioni WHERE id = ANY($1)
+        `, [ids, context.attore || 'admin', context.attoreId || null, context.canale || null, `Importazione commessa ${commessaId}`]);
+        
+        await client.query('COMMIT');
+        report.success = true;
+        report.imported = ids.length;
+        return report;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    readSpreadsheet,
+    importPlanning
+};
+
+// ===================================
+// CLI
+// ===================================
+if (require.main === module) {
+    require('dotenv').config();
+    
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const file = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--commessa');
+    const commessaId = parseInt(option('--commessa'));
+    
+    if (!file || !commessaId) {
+        console.error('Uso: node importer.js <file.csv|file.xlsx> --commessa <id> [--dry-run]');
+        process.exit(1);
+    }
+    
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+    
+    importPlanning(pool, {
+        buffer: fs.readFileSync(file),
+        commessaId,
+        dryRun: args.includes('--dry-run'),
+        context: { attore: 'admin', canale: 'cli' }
+    })
+        .then(report => {
+            for (const error of report.errors) {
+                console.error(`❌ ${error.riga ? `Riga ${error.riga}` : 'File'}${error.campo ? ` [${error.campo}]` : ''}: ${error.errore}`);
+            }
+            if (report.errors.length > 0) {
+                console.error(`❌ ${report.errors.length} errori su ${report.rows} righe: nessun appuntamento importato`);
+                process.exitCode = 1;
+            } else if (report.dry_run) {
+                console.log(`✅ Verifica completata: ${report.rows} righe importabili`);
+            } else {
+                console.log(`✅ ${report.imported} appuntamenti importati nella commessa ${commessaId}`);
+            }
+            return pool.end();
+        })
+        .catch(error => {
+            console.error('❌ Errore importazione:', error.message);
+            pool.end();
+            process.exitCode = 1;
+        });
+}
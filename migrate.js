@@ -0,0 +1,181 @@
+// ===================================
+// MIGRAZIONI DATABASE
+// ===================================
+//
+// Le migrazioni sono file numerati in migrations/ (001_nome.js) che esportano
+// { up, down } come SQL; down = null se la migrazione non è reversibile.
+// Le versioni applicate sono registrate in schema_migrations.
+//
+// Uso: node migrate.js up [versione] | down [passi] | status
+
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Chiave dell'advisory lock che impedisce due esecuzioni contemporanee
+const MIGRATIONS_LOCK = 727001;
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .map(file => ({
+            version: parseInt(file),
+            name: file.replace(/^\d+_/, '').replace(/\.js$/, ''),
+            ...require(path.join(MIGRATIONS_DIR, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(200) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function appliedVersions(db) {
+    await ensureMigrationsTable(db);
+    const result = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+}
+
+// Elenco delle migrazioni con il loro stato (applicata o da applicare)
+async function migrationStatus(db) {
+    const applied = await appliedVersions(db);
+    return loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.includes(migration.version)
+    }));
+}
+
+async function pendingMigrations(db) {
+    return (await migrationStatus(db)).filter(migration => !migration.applied);
+}
+
+// Esegue fn su un client dedicato, in transazione e sotto advisory lock
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK]);
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK]).catch(() => {});
+        client.release();
+    }
+}
+
+async function runInTransaction(client, sql, record) {
+    await client.query('BEGIN');
+    try {
+        await client.query(sql);
+        await record();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+// Applica le migrazioni mancanti, fino a targetVersion se indicata
+async function migrateUp(pool, targetVersion = Infinity) {
+    return withMigrationLock(pool, async (client) => {
+        const applied = await appliedVersions(client);
+        const todo = loadMigrations().filter(migration =>
+            !applied.includes(migration.version) && migration.version <= targetVersion);
+        
+        for (const migration of todo) {
+            console.log(`⬆️  ${migration.version} ${migration.name}`);
+            await runInTransaction(client, migration.up, () => client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            ));
+        }
+        return todo;
+    });
+}
+
+// Annulla le ultime `steps` migrazioni applicate
+async function migrateDown(pool, steps = 1) {
+    return withMigrationLock(pool, async (client) => {
+        const applied = await appliedVersions(client);
+        const migrations = loadMigrations();
+        const todo = applied.slice(-steps).reverse()
+            .map(version => migrations.find(migration => migration.version === version));
+        
+        const done = [];
+        for (const migration of todo) {
+            if (!migration) {
+                throw new Error('Migrazione applicata ma assente in migrations/: impossibile annullarla');
+            }
+            if (!migration.down) {
+                throw new Error(`La migrazione ${migration.version} ${migration.name} non è reversibile`);
+            }
+            console.log(`⬇️  ${migration.version} ${migration.name}`);
+            await runInTransaction(client, migration.down, () => client.query(
+                'DELETE FROM schema_migrations WHERE version = $1',
+                [migration.version]
+            ));
+            done.push(migration);
+        }
+        return done;
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    migrationStatus,
+    pendingMigrations,
+    migrateUp,
+    migrateDown
+};
+
+// ===================================
+// CLI
+// ===================================
+if (require.main === module) {
+    require('dotenv').config();
+    
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+    
+    const [command = 'status', arg] = process.argv.slice(2);
+    
+    const commands = {
+        up: async () => {
+            const done = await migrateUp(pool, arg ? parseInt(arg) : Infinity);
+            console.log(done.length > 0 ? `✅ ${done.length} migrazioni applicate` : '✅ Schema già aggiornato');
+        },
+        down: async () => {
+            const done = await migrateDown(pool, arg ? parseInt(arg) : 1);
+            console.log(`✅ ${done.length} migrazioni annullate`);
+        },
+        status: async () => {
+            for (const migration of await migrationStatus(pool)) {
+                console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')} ${migration.name}`);
+            }
+        }
+    };
+    
+    if (!commands[command]) {
+        console.error('Uso: node migrate.js up [versione] | down [passi] | status');
+        process.exit(1);
+    }
+    
+    commands[command]()
+        .then(() => pool.end())
+        .catch(error => {
+            console.error('❌ Errore migrazioni:', error.message);
+            pool.end();
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,42 @@
+// Tabelle originali dell'anagrafica appuntamenti. Su un database esistente
+// non modifica nulla: serve a creare da zero gli ambienti nuovi.
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS commesse (
+            id SERIAL PRIMARY KEY,
+            tipo_attivita VARCHAR(100),
+            committente VARCHAR(100)
+        );
+        
+        CREATE TABLE IF NOT EXISTS operatori (
+            id SERIAL PRIMARY KEY,
+            nome VARCHAR(100),
+            cognome VARCHAR(100),
+            telefono VARCHAR(30)
+        );
+        
+        CREATE TABLE IF NOT EXISTS pianificazioni (
+            id SERIAL PRIMARY KEY,
+            commessa_id INTEGER REFERENCES commesse(id),
+            operatore_id INTEGER REFERENCES operatori(id),
+            nome_utente VARCHAR(200),
+            indirizzo VARCHAR(200),
+            comune VARCHAR(100),
+            matricola VARCHAR(50),
+            pdr_pdp VARCHAR(50),
+            data_appuntamento DATE,
+            fascia_oraria VARCHAR(20),
+            telefono VARCHAR(30)
+        );
+        
+        CREATE TABLE IF NOT EXISTS call_logs (
+            id SERIAL PRIMARY KEY,
+            matricola VARCHAR(50),
+            action_taken VARCHAR(50),
+            details TEXT,
+            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `,
+    // Le tabelle base contengono i dati di produzione: non si eliminano con un rollback
+    down: null
+};
@@ -0,0 +1,31 @@
+// Stato, conferma, riprogrammazione e annullamento degli appuntamenti
+module.exports = {
+    up: `
+        ALTER TABLE pianificazioni 
+            ADD COLUMN IF NOT EXISTS stato VARCHAR(50) DEFAULT 'programmato',
+            ADD COLUMN IF NOT EXISTS data_conferma TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS note_riprogrammazione TEXT,
+            ADD COLUMN IF NOT EXISTS data_modifica TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS motivo_cancellazione VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS note_cancellazione TEXT,
+            ADD COLUMN IF NOT EXISTS data_cancellazione TIMESTAMP;
+        
+        CREATE INDEX IF NOT EXISTS pianificazioni_matricola_idx ON pianificazioni (matricola);
+        CREATE INDEX IF NOT EXISTS pianificazioni_data_idx ON pianificazioni (data_appuntamento, fascia_oraria);
+        CREATE INDEX IF NOT EXISTS call_logs_matricola_idx ON call_logs (matricola);
+    `,
+    down: `
+        DROP INDEX IF EXISTS call_logs_matricola_idx;
+        DROP INDEX IF EXISTS pianificazioni_data_idx;
+        DROP INDEX IF EXISTS pianificazioni_matricola_idx;
+        
+        ALTER TABLE pianificazioni 
+            DROP COLUMN IF EXISTS stato,
+            DROP COLUMN IF EXISTS data_conferma,
+            DROP COLUMN IF EXISTS note_riprogrammazione,
+            DROP COLUMN IF EXISTS data_modifica,
+            DROP COLUMN IF EXISTS motivo_cancellazione,
+            DROP COLUMN IF EXISTS note_cancellazione,
+            DROP COLUMN IF EXISTS data_cancellazione;
+    `
+};
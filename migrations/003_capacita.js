@@ -0,0 +1,32 @@
+// Regole di capacità per operatore, zona (comune) e commessa (NULL = nessun limite specifico)
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS capacita_operatori (
+            operatore_id INTEGER PRIMARY KEY,
+            max_per_fascia INTEGER,
+            max_giornalieri INTEGER,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        CREATE TABLE IF NOT EXISTS capacita_zone (
+            id SERIAL PRIMARY KEY,
+            comune VARCHAR(100) NOT NULL,
+            max_per_fascia INTEGER,
+            max_giornalieri INTEGER,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS capacita_zone_comune_idx ON capacita_zone (LOWER(comune));
+        
+        CREATE TABLE IF NOT EXISTS quote_commesse (
+            commessa_id INTEGER PRIMARY KEY,
+            max_per_fascia INTEGER,
+            max_giornalieri INTEGER,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `,
+    down: `
+        DROP TABLE IF EXISTS quote_commesse;
+        DROP TABLE IF EXISTS capacita_zone;
+        DROP TABLE IF EXISTS capacita_operatori;
+    `
+};
@@ -0,0 +1,36 @@
+// SMS inviati (clienti e operatori) con coda di invio e stato di consegna, e opt-out
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS sms_messages (
+            id SERIAL PRIMARY KEY,
+            pianificazione_id INTEGER,
+            destinatario VARCHAR(30) NOT NULL,
+            tipo VARCHAR(30) NOT NULL,
+            testo TEXT NOT NULL,
+            stato VARCHAR(20) NOT NULL,
+            provider_message_id VARCHAR(100),
+            errore TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        ALTER TABLE sms_messages 
+            ADD COLUMN IF NOT EXISTS provider VARCHAR(20),
+            ADD COLUMN IF NOT EXISTS tentativi INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS prossimo_tentativo TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS inviato_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS consegnato_at TIMESTAMP;
+        CREATE INDEX IF NOT EXISTS sms_messages_pianificazione_idx ON sms_messages (pianificazione_id);
+        CREATE INDEX IF NOT EXISTS sms_messages_provider_idx ON sms_messages (provider_message_id);
+        CREATE INDEX IF NOT EXISTS sms_messages_coda_idx ON sms_messages (prossimo_tentativo) WHERE stato = 'in_coda';
+        
+        CREATE TABLE IF NOT EXISTS sms_opt_out (
+            telefono VARCHAR(30) PRIMARY KEY,
+            fonte VARCHAR(30),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `,
+    down: `
+        DROP TABLE IF EXISTS sms_opt_out;
+        DROP TABLE IF EXISTS sms_messages;
+    `
+};
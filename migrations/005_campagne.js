@@ -0,0 +1,39 @@
+// Campagne di chiamate in uscita: una riga per appuntamento da chiamare, con tentativi ed esito
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS campagne (
+            id SERIAL PRIMARY KEY,
+            nome VARCHAR(100) NOT NULL,
+            commessa_id INTEGER,
+            stato VARCHAR(20) NOT NULL DEFAULT 'in_pausa',
+            ore_anticipo INTEGER NOT NULL DEFAULT 48,
+            ora_inizio VARCHAR(5) NOT NULL DEFAULT '09:00',
+            ora_fine VARCHAR(5) NOT NULL DEFAULT '19:00',
+            max_tentativi INTEGER NOT NULL DEFAULT 3,
+            intervallo_minuti INTEGER NOT NULL DEFAULT 120,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        CREATE TABLE IF NOT EXISTS chiamate_campagna (
+            id SERIAL PRIMARY KEY,
+            campagna_id INTEGER NOT NULL REFERENCES campagne(id),
+            pianificazione_id INTEGER NOT NULL,
+            telefono VARCHAR(30) NOT NULL,
+            stato VARCHAR(20) NOT NULL DEFAULT 'da_chiamare',
+            tentativi INTEGER NOT NULL DEFAULT 0,
+            prossimo_tentativo TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            call_sid VARCHAR(64),
+            ultimo_esito_chiamata VARCHAR(30),
+            esito VARCHAR(30),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (campagna_id, pianificazione_id)
+        );
+        CREATE INDEX IF NOT EXISTS chiamate_campagna_coda_idx ON chiamate_campagna (campagna_id, stato, prossimo_tentativo);
+    `,
+    down: `
+        DROP TABLE IF EXISTS chiamate_campagna;
+        DROP TABLE IF EXISTS campagne;
+    `
+};
@@ -0,0 +1,22 @@
+// Storico delle modifiche agli appuntamenti: valori precedenti e nuovi, chi e da quale canale
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS appointment_events (
+            id SERIAL PRIMARY KEY,
+            pianificazione_id INTEGER NOT NULL,
+            evento VARCHAR(30) NOT NULL,
+            valori_precedenti JSONB,
+            valori_nuovi JSONB,
+            attore VARCHAR(30) NOT NULL,
+            attore_id VARCHAR(100),
+            canale VARCHAR(30),
+            call_id VARCHAR(100),
+            note TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS appointment_events_pianificazione_idx ON appointment_events (pianificazione_id, created_at);
+    `,
+    down: `
+        DROP TABLE IF EXISTS appointment_events;
+    `
+};
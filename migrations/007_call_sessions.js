@@ -0,0 +1,39 @@
+// Sessioni di chiamata (CallSid Twilio o conversazione ElevenLabs), con le invocazioni
+// dei tool o dei passi IVR, l'esito finale e la trascrizione
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS call_sessions (
+            id SERIAL PRIMARY KEY,
+            session_id VARCHAR(100) NOT NULL UNIQUE,
+            canale VARCHAR(30) NOT NULL,
+            numero_chiamante VARCHAR(30),
+            pianificazione_id INTEGER,
+            inizio TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            fine TIMESTAMP,
+            durata_secondi INTEGER,
+            stato_chiamata VARCHAR(30),
+            esito VARCHAR(30),
+            riepilogo TEXT,
+            transcript JSONB,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS call_sessions_inizio_idx ON call_sessions (inizio);
+        CREATE INDEX IF NOT EXISTS call_sessions_pianificazione_idx ON call_sessions (pianificazione_id);
+        
+        CREATE TABLE IF NOT EXISTS call_session_events (
+            id SERIAL PRIMARY KEY,
+            call_session_id INTEGER NOT NULL REFERENCES call_sessions(id) ON DELETE CASCADE,
+            tool VARCHAR(50) NOT NULL,
+            richiesta JSONB,
+            risposta JSONB,
+            http_status INTEGER,
+            durata_ms INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS call_session_events_sessione_idx ON call_session_events (call_session_id, id);
+    `,
+    down: `
+        DROP TABLE IF EXISTS call_session_events;
+        DROP TABLE IF EXISTS call_sessions;
+    `
+};
@@ -0,0 +1,28 @@
+// Portale operatori: PIN di accesso, sessioni ed esito della visita registrato dall'operatore
+module.exports = {
+    up: `
+        ALTER TABLE operatori 
+            ADD COLUMN IF NOT EXISTS pin_hash VARCHAR(200);
+        
+        ALTER TABLE pianificazioni 
+            ADD COLUMN IF NOT EXISTS note_operatore TEXT,
+            ADD COLUMN IF NOT EXISTS data_esito TIMESTAMP;
+        
+        CREATE TABLE IF NOT EXISTS sessioni_operatori (
+            token_hash VARCHAR(64) PRIMARY KEY,
+            operatore_id INTEGER NOT NULL REFERENCES operatori(id) ON DELETE CASCADE,
+            expires_at TIMESTAMP NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `,
+    down: `
+        DROP TABLE IF EXISTS sessioni_operatori;
+        
+        ALTER TABLE pianificazioni 
+            DROP COLUMN IF EXISTS note_operatore,
+            DROP COLUMN IF EXISTS data_esito;
+        
+        ALTER TABLE operatori 
+            DROP COLUMN IF EXISTS pin_hash;
+    `
+};
@@ -0,0 +1,37 @@
+// Esportazioni degli esiti verso il committente: ogni file prodotto e l'esito
+// esportato per ogni appuntamento, per le esportazioni incrementali
+module.exports = {
+    up: `
+        ALTER TABLE commesse 
+            ADD COLUMN IF NOT EXISTS tracciato_esportazione JSONB;
+        
+        CREATE TABLE IF NOT EXISTS esportazioni (
+            id SERIAL PRIMARY KEY,
+            commessa_id INTEGER NOT NULL REFERENCES commesse(id),
+            formato VARCHAR(20) NOT NULL,
+            dal DATE,
+            al DATE,
+            incrementale BOOLEAN NOT NULL DEFAULT TRUE,
+            righe INTEGER NOT NULL DEFAULT 0,
+            attore VARCHAR(30),
+            canale VARCHAR(30),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS esportazioni_commessa_idx ON esportazioni (commessa_id, created_at);
+        
+        CREATE TABLE IF NOT EXISTS esportazioni_righe (
+            esportazione_id INTEGER NOT NULL REFERENCES esportazioni(id) ON DELETE CASCADE,
+            pianificazione_id INTEGER NOT NULL,
+            esito VARCHAR(30) NOT NULL,
+            PRIMARY KEY (esportazione_id, pianificazione_id)
+        );
+        CREATE INDEX IF NOT EXISTS esportazioni_righe_pianificazione_idx ON esportazioni_righe (pianificazione_id, esportazione_id);
+    `,
+    down: `
+        DROP TABLE IF EXISTS esportazioni_righe;
+        DROP TABLE IF EXISTS esportazioni;
+        
+        ALTER TABLE commesse 
+            DROP COLUMN IF EXISTS tracciato_esportazione;
+    `
+};
@@ -0,0 +1,27 @@
+// Assegnazione automatica: comuni serviti da ogni operatore e coordinate
+// degli indirizzi per raggruppare gli appuntamenti della stessa giornata
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS zone_operatori (
+            operatore_id INTEGER NOT NULL REFERENCES operatori(id) ON DELETE CASCADE,
+            comune VARCHAR(100) NOT NULL,
+            PRIMARY KEY (operatore_id, comune)
+        );
+        CREATE INDEX IF NOT EXISTS zone_operatori_comune_idx ON zone_operatori (LOWER(comune));
+        
+        ALTER TABLE pianificazioni 
+            ADD COLUMN IF NOT EXISTS latitudine NUMERIC(9, 6),
+            ADD COLUMN IF NOT EXISTS longitudine NUMERIC(9, 6);
+        
+        CREATE INDEX IF NOT EXISTS pianificazioni_operatore_data_idx ON pianificazioni (operatore_id, data_appuntamento);
+    `,
+    down: `
+        DROP INDEX IF EXISTS pianificazioni_operatore_data_idx;
+        
+        ALTER TABLE pianificazioni 
+            DROP COLUMN IF EXISTS latitudine,
+            DROP COLUMN IF EXISTS longitudine;
+        
+        DROP TABLE IF EXISTS zone_operatori;
+    `
+};
@@ -0,0 +1,29 @@
+// Calendario degli operatori: turni settimanali e assenze (malattia, ferie, permessi).
+// Un operatore senza turni lavora in tutti i giorni lavorativi e in tutte le fasce.
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS turni_operatori (
+            operatore_id INTEGER NOT NULL REFERENCES operatori(id) ON DELETE CASCADE,
+            giorno_settimana SMALLINT NOT NULL CHECK (giorno_settimana BETWEEN 1 AND 7),
+            ora_inizio VARCHAR(5) NOT NULL,
+            ora_fine VARCHAR(5) NOT NULL,
+            PRIMARY KEY (operatore_id, giorno_settimana)
+        );
+        
+        CREATE TABLE IF NOT EXISTS assenze_operatori (
+            id SERIAL PRIMARY KEY,
+            operatore_id INTEGER NOT NULL REFERENCES operatori(id) ON DELETE CASCADE,
+            dal DATE NOT NULL,
+            al DATE NOT NULL,
+            motivo VARCHAR(30) NOT NULL,
+            note TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK (al >= dal)
+        );
+        CREATE INDEX IF NOT EXISTS assenze_operatori_periodo_idx ON assenze_operatori (operatore_id, dal, al);
+    `,
+    down: `
+        DROP TABLE IF EXISTS assenze_operatori;
+        DROP TABLE IF EXISTS turni_operatori;
+    `
+};
@@ -0,0 +1,48 @@
+// Base di conoscenza per /api/get-info: argomenti con sinonimi e risposta predefinita,
+// più le varianti per committente e/o tipo di attività (es. contatori gas e acqua).
+// Le risposte possono contenere {numero_contatti}, sostituito con NUMERO_CONTATTI.
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS informazioni_argomenti (
+            id SERIAL PRIMARY KEY,
+            chiave VARCHAR(50) NOT NULL UNIQUE,
+            titolo VARCHAR(100) NOT NULL,
+            sinonimi TEXT[] NOT NULL DEFAULT '{}',
+            risposta TEXT NOT NULL,
+            attivo BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        CREATE TABLE IF NOT EXISTS informazioni_varianti (
+            id SERIAL PRIMARY KEY,
+            argomento_id INTEGER NOT NULL REFERENCES informazioni_argomenti(id) ON DELETE CASCADE,
+            committente VARCHAR(100),
+            tipo_attivita VARCHAR(100),
+            risposta TEXT NOT NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK (committente IS NOT NULL OR tipo_attivita IS NOT NULL)
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS informazioni_varianti_ambito_idx
+            ON informazioni_varianti (argomento_id, LOWER(COALESCE(committente, '')), LOWER(COALESCE(tipo_attivita, '')));
+        
+        INSERT INTO informazioni_argomenti (chiave, titolo, sinonimi, risposta) VALUES
+            ('durata_intervento', 'durata dell''intervento', ARRAY['dura', 'durata', 'quanto tempo', 'minuti', 'interruzione'],
+                'L''intervento di sostituzione contatore richiede normalmente 20-25 minuti con una breve interruzione del servizio di circa 15-20 minuti.'),
+            ('cosa_portare', 'cosa preparare', ARRAY['portare', 'preparare', 'presente', 'documento', 'accessibile', 'essere in casa'],
+                'È necessario che lei sia presente durante l''intervento solo per contatori non accessibili e che l''area del contatore sia facilmente accessibile. I tecnici potrebbero richiederle un documento d''identità.'),
+            ('costi', 'costi', ARRAY['costo', 'costa', 'pagare', 'pagamento', 'gratis', 'gratuito', 'prezzo', 'bolletta'],
+                'L''intervento di sostituzione programmato è completamente gratuito e obbligatorio secondo normativa.'),
+            ('sicurezza', 'sicurezza', ARRAY['sicuro', 'sicurezza', 'pericolo', 'pericoloso', 'rischio', 'tecnico riconoscibile', 'tesserino'],
+                'I nostri tecnici seguono tutti i protocolli di sicurezza e sono dotati di dispositivi di protezione. L''intervento è completamente sicuro.'),
+            ('dopo_intervento', 'cosa succede dopo l''intervento', ARRAY['dopo', 'ripristino', 'ripristinato', 'riattivazione', 'lettura'],
+                'Dopo la sostituzione il servizio sarà immediatamente ripristinato.'),
+            ('contatti', 'contatti', ARRAY['contatto', 'contattare', 'numero', 'telefono', 'emergenza', 'ufficio', 'numero verde'],
+                'Per emergenze può contattare il nostro numero verde {numero_contatti}.')
+        ON CONFLICT (chiave) DO NOTHING;
+    `,
+    down: `
+        DROP TABLE IF EXISTS informazioni_varianti;
+        DROP TABLE IF EXISTS informazioni_argomenti;
+    `
+};
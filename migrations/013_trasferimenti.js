@@ -0,0 +1,39 @@
+// Passaggio della chiamata a un operatore dell'ufficio, con il riepilogo letto a chi risponde,
+// e richieste di richiamata quando l'ufficio è chiuso o nessuno risponde
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS richieste_richiamata (
+            id SERIAL PRIMARY KEY,
+            telefono VARCHAR(30) NOT NULL,
+            pianificazione_id INTEGER,
+            matricola VARCHAR(50),
+            motivo VARCHAR(30) NOT NULL,
+            riepilogo TEXT,
+            session_id VARCHAR(100),
+            stato VARCHAR(20) NOT NULL DEFAULT 'aperta',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS richieste_richiamata_stato_idx ON richieste_richiamata (stato, created_at);
+        
+        CREATE TABLE IF NOT EXISTS trasferimenti (
+            id SERIAL PRIMARY KEY,
+            session_id VARCHAR(100),
+            canale VARCHAR(30) NOT NULL,
+            telefono VARCHAR(30),
+            pianificazione_id INTEGER,
+            matricola VARCHAR(50),
+            motivo VARCHAR(30) NOT NULL,
+            riepilogo TEXT NOT NULL,
+            esito VARCHAR(20) NOT NULL DEFAULT 'in_corso',
+            richiesta_richiamata_id INTEGER REFERENCES richieste_richiamata(id),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS trasferimenti_created_idx ON trasferimenti (created_at);
+    `,
+    down: `
+        DROP TABLE IF EXISTS trasferimenti;
+        DROP TABLE IF EXISTS richieste_richiamata;
+    `
+};
@@ -0,0 +1,41 @@
+// Coda delle richieste di richiamata per l'ufficio: fascia preferita dal cliente, scadenza SLA,
+// presa in carico ed esito. chiamata_campagna_id collega la richiamata automatica (se attiva)
+// alla chiamata in uscita della campagna dedicata.
+module.exports = {
+    up: `
+        ALTER TABLE richieste_richiamata
+            ADD COLUMN IF NOT EXISTS canale VARCHAR(30),
+            ADD COLUMN IF NOT EXISTS note TEXT,
+            ADD COLUMN IF NOT EXISTS data_preferita DATE,
+            ADD COLUMN IF NOT EXISTS fascia_preferita VARCHAR(11),
+            ADD COLUMN IF NOT EXISTS scadenza TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS assegnata_a VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS presa_in_carico_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS completata_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS esito VARCHAR(30),
+            ADD COLUMN IF NOT EXISTS note_esito TEXT,
+            ADD COLUMN IF NOT EXISTS chiamata_campagna_id INTEGER REFERENCES chiamate_campagna(id);
+        
+        UPDATE richieste_richiamata SET scadenza = created_at + INTERVAL '4 hours' WHERE scadenza IS NULL;
+        
+        DROP INDEX IF EXISTS richieste_richiamata_stato_idx;
+        CREATE INDEX IF NOT EXISTS richieste_richiamata_coda_idx ON richieste_richiamata (stato, scadenza);
+    `,
+    down: `
+        DROP INDEX IF EXISTS richieste_richiamata_coda_idx;
+        CREATE INDEX IF NOT EXISTS richieste_richiamata_stato_idx ON richieste_richiamata (stato, created_at);
+        
+        ALTER TABLE richieste_richiamata
+            DROP COLUMN IF EXISTS canale,
+            DROP COLUMN IF EXISTS note,
+            DROP COLUMN IF EXISTS data_preferita,
+            DROP COLUMN IF EXISTS fascia_preferita,
+            DROP COLUMN IF EXISTS scadenza,
+            DROP COLUMN IF EXISTS assegnata_a,
+            DROP COLUMN IF EXISTS presa_in_carico_at,
+            DROP COLUMN IF EXISTS completata_at,
+            DROP COLUMN IF EXISTS esito,
+            DROP COLUMN IF EXISTS note_esito,
+            DROP COLUMN IF EXISTS chiamata_campagna_id;
+    `
+};
@@ -0,0 +1,16 @@
+// Tentativi di verifica falliti e blocchi, condivisi tra le istanze e conservati ai riavvii.
+// chiave: numero chiamante, sessione di chiamata, appuntamento (appuntamento:<id>) o accesso al portale
+module.exports = {
+    up: `
+        CREATE TABLE IF NOT EXISTS verifiche_fallite (
+            chiave VARCHAR(150) PRIMARY KEY,
+            tentativi INTEGER NOT NULL DEFAULT 0,
+            ultimo_tentativo TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            bloccato_fino TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS verifiche_fallite_ultimo_idx ON verifiche_fallite (ultimo_tentativo);
+    `,
+    down: `
+        DROP TABLE IF EXISTS verifiche_fallite;
+    `
+};
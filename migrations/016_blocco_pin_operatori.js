@@ -0,0 +1,15 @@
+// Portale operatori: PIN errati e blocchi dell'accesso, per operatore e con durata crescente
+module.exports = {
+    up: `
+        ALTER TABLE operatori 
+            ADD COLUMN IF NOT EXISTS pin_tentativi_falliti INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS pin_blocchi INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS pin_bloccato_fino TIMESTAMP;
+    `,
+    down: `
+        ALTER TABLE operatori 
+            DROP COLUMN IF EXISTS pin_tentativi_falliti,
+            DROP COLUMN IF EXISTS pin_blocchi,
+            DROP COLUMN IF EXISTS pin_bloccato_fino;
+    `
+};
@@ -0,0 +1,23 @@
+// Ricerca delle matricole simili: forma confrontabile della matricola (caratteri che il
+// riconoscimento vocale confonde resi uguali, come matricolaSkeleton) e indici per
+// limitare i candidati agli appuntamenti del numero chiamante o del comune indicato
+module.exports = {
+    up: `
+        ALTER TABLE pianificazioni 
+            ADD COLUMN IF NOT EXISTS matricola_scheletro VARCHAR(50) GENERATED ALWAYS AS (
+                translate(upper(regexp_replace(matricola, '[^A-Za-z0-9]', '', 'g')), 'OQILJZSGB', '001112568')
+            ) STORED;
+        
+        CREATE INDEX IF NOT EXISTS pianificazioni_comune_scheletro_idx 
+            ON pianificazioni (lower(trim(comune)), length(matricola_scheletro));
+        CREATE INDEX IF NOT EXISTS pianificazioni_telefono_idx 
+            ON pianificazioni (RIGHT(regexp_replace(telefono, '\\D', '', 'g'), 10));
+    `,
+    down: `
+        DROP INDEX IF EXISTS pianificazioni_telefono_idx;
+        DROP INDEX IF EXISTS pianificazioni_comune_scheletro_idx;
+        
+        ALTER TABLE pianificazioni 
+            DROP COLUMN IF EXISTS matricola_scheletro;
+    `
+};
@@ -0,0 +1,213 @@
+// Test di calendario.js: npm test
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Configurazione predefinita, indipendente dall'ambiente di chi esegue i test
+process.env.FASCE_ORARIE = '09:00-12:00,14:00-17:00';
+process.env.GIORNI_PREAVVISO_MINIMO = '1';
+process.env.FESTIVITA_EXTRA = '';
+
+const {
+    normalizeSpoken,
+    isHoliday,
+    isWorkingDay,
+    spokenTime,
+    parseSpokenHours,
+    parseFasciaRequest,
+    parseDateRequest,
+    interpretRescheduleRequest
+} = require('../calendario');
+
+// Mercoledì 10 luglio 2024
+const OGGI = new Date(2024, 6, 10);
+
+describe('spokenTime', () => {
+    test('le ore da 1 a 7 sono del pomeriggio', () => {
+        assert.equal(spokenTime('3'), '15:00');
+        assert.equal(spokenTime('5', '30'), '17:30');
+        assert.equal(spokenTime('1'), '13:00');
+    });
+    
+    test('le altre ore restano come sono', () => {
+        assert.equal(spokenTime('8'), '08:00');
+        assert.equal(spokenTime('9', '15'), '09:15');
+        assert.equal(spokenTime('12'), '12:00');
+        assert.equal(spokenTime('16'), '16:00');
+    });
+    
+    test('di mattina, di notte o con lo zero iniziale non si sposta al pomeriggio', () => {
+        assert.equal(spokenTime('7', undefined, 'alle 7 di mattina'), '07:00');
+        assert.equal(spokenTime('6', '30', 'verso le 6.30 della mattina'), '06:30');
+        assert.equal(spokenTime('07', '30'), '07:30');
+    });
+});
+
+describe('parseSpokenHours', () => {
+    const hours = text => parseSpokenHours(normalizeSpoken(text));
+    
+    test('intervalli', () => {
+        assert.deepEqual(hours('dalle tre alle cinque'), { from: '15:00', to: '17:00' });
+        assert.deepEqual(hours('dalle 9 alle 12'), { from: '09:00', to: '12:00' });
+        assert.deepEqual(hours('09:00-12:00'), { from: '09:00', to: '12:00' });
+    });
+    
+    test('prima, dopo e ora precisa', () => {
+        assert.deepEqual(hours('dopo le 15'), { from: '15:00' });
+        assert.deepEqual(hours('prima delle 11'), { to: '11:00' });
+        assert.deepEqual(hours('verso le quattro'), { at: '16:00' });
+        assert.deepEqual(hours('alle 10.30'), { at: '10:30' });
+    });
+    
+    test('mattina e pomeriggio', () => {
+        assert.deepEqual(hours('di mattina'), { periodo: 'mattina' });
+        assert.deepEqual(hours('in mattinata'), { periodo: 'mattina' });
+        assert.deepEqual(hours('nel pomeriggio'), { periodo: 'pomeriggio' });
+    });
+    
+    test('nessun orario', () => {
+        assert.equal(hours('martedì prossimo'), null);
+        assert.equal(hours(''), null);
+    });
+});
+
+describe('parseFasciaRequest', () => {
+    test('fascia esatta', () => {
+        assert.deepEqual(parseFasciaRequest('14:00-17:00'), { fascia: '14:00-17:00' });
+    });
+    
+    test('mattina e pomeriggio', () => {
+        assert.deepEqual(parseFasciaRequest('di mattina'), { fascia: '09:00-12:00' });
+        assert.deepEqual(parseFasciaRequest('nel pomeriggio'), { fascia: '14:00-17:00' });
+    });
+    
+    test('ore della mattina e del pomeriggio', () => {
+        assert.deepEqual(parseFasciaRequest('alle 10'), { fascia: '09:00-12:00' });
+        assert.deepEqual(parseFasciaRequest('alle tre'), { fascia: '14:00-17:00' });
+        assert.deepEqual(parseFasciaRequest('dalle 9 alle 12'), { fascia: '09:00-12:00' });
+        assert.deepEqual(parseFasciaRequest('dalle 2 alle 5'), { fascia: '14:00-17:00' });
+    });
+    
+    test('prima e dopo un orario', () => {
+        assert.deepEqual(parseFasciaRequest('dopo le 15'), { fascia: '14:00-17:00' });
+        assert.deepEqual(parseFasciaRequest('dopo le 10'), { fascia: '14:00-17:00' });
+        assert.deepEqual(parseFasciaRequest('prima delle 12'), { fascia: '09:00-12:00' });
+    });
+    
+    test('orario fuori dalle fasce', () => {
+        const result = parseFasciaRequest('alle 20');
+        assert.match(result.error, /dalle 9 alle 12 oppure dalle 14 alle 17/);
+    });
+    
+    test('nessuna fascia indicata', () => {
+        assert.deepEqual(parseFasciaRequest('domani'), { fascia: null });
+        assert.deepEqual(parseFasciaRequest(''), { fascia: null });
+    });
+});
+
+describe('parseDateRequest', () => {
+    const parse = (text, today = OGGI) => parseDateRequest(text, today);
+    
+    test('data ISO, anche inesistente', () => {
+        assert.deepEqual(parse('2024-07-25'), { date: '2024-07-25' });
+        assert.equal(parse('2024-02-31'), null);
+    });
+    
+    test('giorni della settimana', () => {
+        assert.deepEqual(parse('martedì prossimo'), { date: '2024-07-16' });
+        assert.deepEqual(parse('martedì della settimana prossima'), { date: '2024-07-16' });
+        assert.deepEqual(parse('venerdì'), { date: '2024-07-12' });
+        assert.deepEqual(parse('mercoledì'), { date: '2024-07-17' });
+    });
+    
+    test('date relative', () => {
+        assert.deepEqual(parse('domani'), { date: '2024-07-11' });
+        assert.deepEqual(parse('dopodomani'), { date: '2024-07-12' });
+        assert.deepEqual(parse('tra tre giorni'), { date: '2024-07-13' });
+        assert.deepEqual(parse('fra 2 settimane'), { date: '2024-07-24' });
+    });
+    
+    test('date esplicite', () => {
+        assert.deepEqual(parse('il 25'), { date: '2024-07-25' });
+        assert.deepEqual(parse('25 luglio alle 15.30'), { date: '2024-07-25' });
+        assert.deepEqual(parse('25/07'), { date: '2024-07-25' });
+        assert.deepEqual(parse('l\'otto agosto'), { date: '2024-08-08' });
+    });
+    
+    test('periodi', () => {
+        assert.deepEqual(parse('dopo il 15'), { from: '2024-07-16' });
+        assert.deepEqual(parse('entro il 20'), { from: '2024-07-10', to: '2024-07-20' });
+        assert.deepEqual(parse('prima del 20'), { from: '2024-07-10', to: '2024-07-19' });
+        assert.deepEqual(parse('tra il 15 e il 20 luglio'), { from: '2024-07-15', to: '2024-07-20' });
+        assert.deepEqual(parse('la settimana prossima'), { from: '2024-07-15', to: '2024-07-21' });
+        assert.deepEqual(parse('il mese prossimo'), { from: '2024-08-01', to: '2024-08-31' });
+    });
+    
+    test('giorno già passato nel mese: il mese successivo', () => {
+        assert.deepEqual(parse('il 5'), { date: '2024-08-05' });
+        assert.deepEqual(parse('dopo il 5'), { from: '2024-08-06' });
+    });
+    
+    test('passaggio di mese e di anno', () => {
+        const fineAnno = new Date(2024, 11, 30);
+        assert.deepEqual(parse('dopodomani', fineAnno), { date: '2025-01-01' });
+        assert.deepEqual(parse('tra 3 giorni', fineAnno), { date: '2025-01-02' });
+        assert.deepEqual(parse('il 3', fineAnno), { date: '2025-01-03' });
+        assert.deepEqual(parse('dopo il 31', fineAnno), { from: '2025-01-01' });
+        assert.deepEqual(parse('la settimana prossima', fineAnno), { from: '2025-01-06', to: '2025-01-12' });
+        assert.deepEqual(parse('10 luglio', new Date(2024, 6, 11)), { date: '2025-07-10' });
+    });
+    
+    test('nessuna data', () => {
+        assert.equal(parse('non lo so'), null);
+        assert.equal(parse(''), null);
+    });
+});
+
+describe('festività', () => {
+    test('festività fisse e Lunedì dell\'Angelo', () => {
+        assert.equal(isHoliday(new Date(2024, 11, 25)), true);
+        assert.equal(isHoliday(new Date(2024, 7, 15)), true);
+        assert.equal(isHoliday(new Date(2024, 3, 1)), true);
+        assert.equal(isHoliday(new Date(2025, 3, 21)), true);
+        assert.equal(isHoliday(new Date(2024, 6, 10)), false);
+    });
+    
+    test('giorni lavorativi', () => {
+        assert.equal(isWorkingDay(new Date(2024, 6, 10)), true);
+        assert.equal(isWorkingDay(new Date(2024, 6, 13)), false);
+        assert.equal(isWorkingDay(new Date(2024, 3, 1)), false);
+    });
+});
+
+describe('interpretRescheduleRequest', () => {
+    const interpret = (dateText, slotText, today = OGGI) => interpretRescheduleRequest(dateText, slotText, today);
+    
+    test('giorno e fascia nello stesso testo', () => {
+        assert.deepEqual(interpret('martedì prossimo di mattina'), { date: '2024-07-16', fascia: '09:00-12:00' });
+        assert.deepEqual(interpret('giovedì alle 3'), { date: '2024-07-11', fascia: '14:00-17:00' });
+    });
+    
+    test('periodo e fascia separata', () => {
+        assert.deepEqual(interpret('dopo il 15', 'pomeriggio'), { from: '2024-07-16', fascia: '14:00-17:00' });
+        assert.deepEqual(interpret('la settimana prossima'), { from: '2024-07-15', to: '2024-07-21', fascia: null });
+    });
+    
+    test('festivi e fine settimana', () => {
+        assert.match(interpret('15 agosto').error, /giorno festivo/);
+        assert.match(interpret('21 aprile', null, new Date(2025, 3, 10)).error, /giorno festivo/);
+        assert.match(interpret('sabato').error, /fine settimana/);
+    });
+    
+    test('date passate o senza preavviso', () => {
+        assert.match(interpret('2024-07-01').error, /già passata/);
+        assert.match(interpret('oggi').error, /preavviso/);
+        assert.equal(interpret('domani').error, undefined);
+        assert.match(interpret('entro il 10').error, /periodo indicato/);
+    });
+    
+    test('fascia fuori orario o data non capita', () => {
+        assert.deepEqual(interpret('domani', 'alle 20').date, '2024-07-11');
+        assert.match(interpret('domani', 'alle 20').error, /non effettuiamo interventi/);
+        assert.match(interpret('appena possibile').error, /Non ho capito la data/);
+    });
+});